@@ -0,0 +1,177 @@
+/**
+ * Environment configuration for the ADMS server.
+ * Every setting is read and validated once at startup; invalid or missing
+ * settings stop the process with a list of what to fix.
+ */
+
+const PRODUCTION = process.env.NODE_ENV === 'production' || !!process.env.VERCEL;
+
+// Database used in development when TURSO_DB_URL is not set
+const DEVELOPMENT_DB_URL = 'file:adms-dev.db';
+
+const errors = [];
+
+function integer(name, defaultValue, { min = 0 } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return defaultValue;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    errors.push(`${name} must be an integer >= ${min} (got "${raw}")`);
+    return defaultValue;
+  }
+
+  return value;
+}
+
+function boolean(name, defaultValue) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return defaultValue;
+
+  if (raw !== 'true' && raw !== 'false') {
+    errors.push(`${name} must be true or false (got "${raw}")`);
+    return defaultValue;
+  }
+
+  return raw === 'true';
+}
+
+function httpUrl(name) {
+  const raw = process.env[name];
+  if (!raw) return undefined;
+
+  try {
+    const url = new URL(raw);
+    if (url.protocol === 'http:' || url.protocol === 'https:') return raw;
+  } catch (error) {
+    // Reported below
+  }
+
+  errors.push(`${name} must be an http(s) URL (got "${raw}")`);
+  return undefined;
+}
+
+// IANA names (Asia/Kolkata), fixed offsets (+05:30) and hour offsets (5.5)
+function isTimezone(value) {
+  if (/^[+-]?\d+(\.\d+)?$/.test(value) || /^(?:UTC|GMT)?[+-]\d{1,2}:?\d{2}$/.test(value)) {
+    return true;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// --- Database ---
+// libsql://, https:// and wss:// URLs are remote Turso databases and need a token.
+// file:path.db is a local SQLite file, :memory: a throwaway database (tests).
+let TURSO_DB_URL = process.env.TURSO_DB_URL;
+const TURSO_DB_TOKEN = process.env.TURSO_DB_TOKEN;
+
+if (!TURSO_DB_URL) {
+  if (PRODUCTION) {
+    errors.push('TURSO_DB_URL is required in production');
+  } else {
+    TURSO_DB_URL = DEVELOPMENT_DB_URL;
+    console.warn(`TURSO_DB_URL is not set, using local database ${DEVELOPMENT_DB_URL}`);
+  }
+}
+
+const LOCAL_DB = !!TURSO_DB_URL && (TURSO_DB_URL === ':memory:' || TURSO_DB_URL.startsWith('file:'));
+
+if (TURSO_DB_URL && !LOCAL_DB && !/^(libsql|https?|wss?):\/\//.test(TURSO_DB_URL)) {
+  errors.push(`TURSO_DB_URL must be a libsql://, https://, wss://, file: or :memory: URL (got "${TURSO_DB_URL}")`);
+} else if (TURSO_DB_URL && !LOCAL_DB && !TURSO_DB_TOKEN) {
+  errors.push('TURSO_DB_TOKEN is required for a remote TURSO_DB_URL');
+}
+
+// --- Attendance ---
+const CALLBACK_URL = httpUrl('CALLBACK_URL'); // Legacy single callback; registered as an attendance.updated subscription that posts the bare attendance row
+const MINUTES_FOR_PRESENT = integer('MINUTES_FOR_PRESENT', 360, { min: 1 });
+const WORKDAY_START = process.env.WORKDAY_START || '00:00'; // Start of the logical workday (HH:MM) for employees without a shift
+
+if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(WORKDAY_START)) {
+  errors.push(`WORKDAY_START must be HH:MM (got "${WORKDAY_START}")`);
+}
+
+// Site timezone used for day bucketing and for devices without their own
+// timezone. Defaults to the server's zone.
+const SITE_TIMEZONE = process.env.SITE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+if (!isTimezone(SITE_TIMEZONE)) {
+  errors.push(`SITE_TIMEZONE must be an IANA timezone, a fixed offset (+05:30) or hours (5.5) (got "${SITE_TIMEZONE}")`);
+}
+
+// Days employees without a shift of their own are expected at work, as
+// comma-separated Sun..Sat names. Close-out marks no one absent on other days.
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WORK_WEEK = (process.env.WORK_WEEK || 'Mon,Tue,Wed,Thu,Fri').split(',').map(name => name.trim());
+
+if (!WORK_WEEK.every(name => WEEKDAY_NAMES.includes(name))) {
+  errors.push(`WORK_WEEK must be comma-separated day names (${WEEKDAY_NAMES.join(',')}) (got "${process.env.WORK_WEEK}")`);
+}
+
+const SHIFT_WINDOW_BEFORE = integer('SHIFT_WINDOW_BEFORE', 240); // Minutes before shift start that punches count towards the shift
+const DUPLICATE_PUNCH_WINDOW = integer('DUPLICATE_PUNCH_WINDOW', 60); // Seconds within which repeated punches count as one
+
+// --- Webhooks ---
+const WEBHOOK_MAX_ATTEMPTS = integer('WEBHOOK_MAX_ATTEMPTS', 8, { min: 1 });
+const WEBHOOK_RETRY_BASE = integer('WEBHOOK_RETRY_BASE', 30000, { min: 1000 }); // First retry delay in milliseconds, doubled per attempt
+
+// --- Devices ---
+const DEVICE_OFFLINE_THRESHOLD = integer('DEVICE_OFFLINE_THRESHOLD', 30000, { min: 3000 }); // Milliseconds without a heartbeat before a device counts as OFFLINE
+const DEVICE_AUTO_APPROVE = boolean('DEVICE_AUTO_APPROVE', false); // New serial numbers start APPROVED instead of PENDING
+const COMMAND_TIMEOUT = integer('COMMAND_TIMEOUT', 300000, { min: 1000 }); // Milliseconds before a sent command is retried
+const COMMAND_MAX_ATTEMPTS = integer('COMMAND_MAX_ATTEMPTS', 3, { min: 1 });
+const TRUST_PROXY = boolean('TRUST_PROXY', false); // Take client IPs from X-Forwarded-For (Vercel, nginx)
+
+// --- Access ---
+// Bearer token accepted by /cron endpoints. Serverless deployments have no
+// background jobs; vercel.json schedules /cron/attendance-close-out hourly and
+// /cron/device-liveness every minute (a plan allowing per-minute cron jobs),
+// and Vercel Cron sends this secret.
+// Elsewhere, call them on that schedule with Authorization: Bearer <CRON_SECRET>.
+const CRON_SECRET = process.env.CRON_SECRET;
+const SESSION_TTL = integer('SESSION_TTL', 43200000, { min: 60000 }); // Session lifetime in milliseconds (12 hours)
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin'; // First admin, created when there are no users
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+if (ADMIN_PASSWORD !== undefined && ADMIN_PASSWORD.length < 8) {
+  errors.push('ADMIN_PASSWORD must be at least 8 characters');
+}
+
+const PORT = integer('PORT', 5000, { min: 1 });
+
+if (errors.length > 0) {
+  throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+}
+
+module.exports = Object.freeze({
+  PRODUCTION,
+  TURSO_DB_URL,
+  TURSO_DB_TOKEN,
+  LOCAL_DB,
+  CALLBACK_URL,
+  MINUTES_FOR_PRESENT,
+  WORKDAY_START,
+  SITE_TIMEZONE,
+  WEEKDAY_NAMES,
+  WORK_WEEK,
+  SHIFT_WINDOW_BEFORE,
+  DUPLICATE_PUNCH_WINDOW,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE,
+  DEVICE_OFFLINE_THRESHOLD,
+  DEVICE_AUTO_APPROVE,
+  COMMAND_TIMEOUT,
+  COMMAND_MAX_ATTEMPTS,
+  TRUST_PROXY,
+  CRON_SECRET,
+  SESSION_TTL,
+  ADMIN_USERNAME,
+  ADMIN_PASSWORD,
+  PORT
+});
@@ -0,0 +1,399 @@
+/**
+ * Baseline schema: everything initDB used to create with CREATE TABLE IF NOT
+ * EXISTS and ensureColumn. Written to be re-runnable so it also brings
+ * databases created by older versions (including v1) up to date.
+ */
+
+const { ensureColumn } = require('../migrator');
+
+async function up(db) {
+  // Create punch table
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS punch (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pin TEXT NOT NULL,
+      ts TEXT NOT NULL,
+      status TEXT,
+      verify TEXT,
+      workcode TEXT,
+      reserved TEXT,
+      raw TEXT
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_punch_pin ON punch(pin)
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_punch_ts ON punch(ts)
+  `);
+
+  // Device that uploaded the punch (part of the natural key)
+  await ensureColumn(db, 'punch', 'serial_number', 'TEXT');
+
+  // Unique natural key that makes ATTLOG ingestion idempotent. Databases that
+  // already hold duplicates keep working without it until
+  // `npm run dedupe-punches` removes them and creates the index.
+  try {
+    await db.execute(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_punch_natural_key
+      ON punch(IFNULL(serial_number, ''), pin, ts, IFNULL(status, ''))
+    `);
+  } catch (error) {
+    console.warn('Could not create punch natural key index, run `npm run dedupe-punches`:', error.message);
+  }
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_punch_sn_ts ON punch(serial_number, ts)
+  `);
+
+  // Create attendance table
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS attendance (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pin TEXT NOT NULL,
+      day TEXT NOT NULL,
+      first_ts TEXT,
+      last_ts TEXT,
+      duration_minutes INTEGER,
+      status TEXT NOT NULL DEFAULT 'ABSENT',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_attendance_pin ON attendance(pin)
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_attendance_day ON attendance(day)
+  `);
+
+  // One attendance row per pin and day; rows duplicated by older versions are
+  // derived data, so the newest copy is kept
+  try {
+    await db.execute(`CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_pin_day ON attendance(pin, day)`);
+  } catch (error) {
+    await db.execute(`DELETE FROM attendance WHERE id NOT IN (SELECT MAX(id) FROM attendance GROUP BY pin, day)`);
+    await db.execute(`CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_pin_day ON attendance(pin, day)`);
+  }
+
+  // Shift the day was evaluated against and the resulting deviations
+  await ensureColumn(db, 'attendance', 'shift_id', 'INTEGER');
+  await ensureColumn(db, 'attendance', 'late_minutes', 'INTEGER');
+  await ensureColumn(db, 'attendance', 'early_minutes', 'INTEGER');
+  await ensureColumn(db, 'attendance', 'overtime_minutes', 'INTEGER');
+
+  // Results of pairing punches into IN/OUT sessions
+  await ensureColumn(db, 'attendance', 'worked_minutes', 'INTEGER');
+  await ensureColumn(db, 'attendance', 'break_minutes', 'INTEGER');
+  await ensureColumn(db, 'attendance', 'missing_punch', 'INTEGER NOT NULL DEFAULT 0');
+
+  // Create shifts table (times are HH:MM; end before start means the shift ends the next day)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS shifts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      grace_in_minutes INTEGER NOT NULL DEFAULT 0,
+      grace_out_minutes INTEGER NOT NULL DEFAULT 0,
+      break_minutes INTEGER NOT NULL DEFAULT 0,
+      min_present_minutes INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Employee to shift assignments; effective_to NULL means open-ended
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS shift_assignments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pin TEXT NOT NULL,
+      shift_id INTEGER NOT NULL,
+      effective_from TEXT NOT NULL,
+      effective_to TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_shift_assignments_pin ON shift_assignments(pin, effective_from)
+  `);
+
+  // Create devices table
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS devices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      serial_number TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'OFFLINE',
+      last_seen TEXT,
+      first_registered TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Per-device handshake options and upload stamps (NULL = server default)
+  await ensureColumn(db, 'devices', 'attlog_stamp', 'TEXT');
+  await ensureColumn(db, 'devices', 'operlog_stamp', 'TEXT');
+  await ensureColumn(db, 'devices', 'error_delay', 'INTEGER');
+  await ensureColumn(db, 'devices', 'delay', 'INTEGER');
+  await ensureColumn(db, 'devices', 'trans_times', 'TEXT');
+  await ensureColumn(db, 'devices', 'trans_interval', 'INTEGER');
+  await ensureColumn(db, 'devices', 'trans_flag', 'TEXT');
+  await ensureColumn(db, 'devices', 'realtime', 'INTEGER');
+  await ensureColumn(db, 'devices', 'encrypt', 'INTEGER');
+  await ensureColumn(db, 'devices', 'timezone', 'TEXT');
+
+  // Create sites table (locations that devices are grouped into)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS sites (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      address TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await ensureColumn(db, 'devices', 'site_id', 'INTEGER');
+
+  // Last time the employee sync engine queued changes for the device
+  await ensureColumn(db, 'devices', 'last_sync_at', 'TEXT');
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_devices_sn ON devices(serial_number)
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_devices_status ON devices(status)
+  `);
+
+  // Device authorization: existing devices stay APPROVED, new ones start PENDING.
+  // device_secret and allowed_ips (comma separated IPs or IPv4 CIDRs) are optional.
+  await ensureColumn(db, 'devices', 'approval_status', "TEXT NOT NULL DEFAULT 'APPROVED'");
+  await ensureColumn(db, 'devices', 'device_secret', 'TEXT');
+  await ensureColumn(db, 'devices', 'allowed_ips', 'TEXT');
+
+  // Dashboard / API users. password_hash is scrypt:<salt>:<hash>; site_id scopes site managers.
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'readonly',
+      site_id INTEGER,
+      active INTEGER NOT NULL DEFAULT 1,
+      last_login_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Login sessions; only a SHA-256 of the token is stored
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_hash TEXT NOT NULL UNIQUE,
+      user_id INTEGER NOT NULL,
+      expires_at TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Uploads from devices that are not approved yet, replayed on approval
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS device_quarantine (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      serial_number TEXT NOT NULL,
+      table_name TEXT,
+      stamp TEXT,
+      body TEXT NOT NULL,
+      remote_ip TEXT,
+      received_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_device_quarantine_sn ON device_quarantine(serial_number, id)
+  `);
+
+  // Last time the device uploaded data (ATTLOG, OPERLOG, ...)
+  await ensureColumn(db, 'devices', 'last_upload_at', 'TEXT');
+
+  // Device ONLINE/OFFLINE transitions, used for uptime reporting
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS device_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      serial_number TEXT NOT NULL,
+      status TEXT NOT NULL,
+      at TEXT NOT NULL
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_device_events_sn_at ON device_events(serial_number, at)
+  `);
+
+  // Devices without history start from their current status
+  await db.execute({
+    sql: `INSERT INTO device_events (serial_number, status, at)
+          SELECT serial_number, status, ? FROM devices d
+          WHERE NOT EXISTS (SELECT 1 FROM device_events e WHERE e.serial_number = d.serial_number)`,
+    args: [new Date().toISOString()]
+  });
+
+  // Create employees table
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS employees (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pin TEXT NOT NULL UNIQUE,
+      name TEXT,
+      privilege TEXT,
+      card_number TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await ensureColumn(db, 'employees', 'department', 'TEXT');
+  await ensureColumn(db, 'employees', 'active', 'INTEGER NOT NULL DEFAULT 1');
+
+  // Devices each employee is enrolled on
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS employee_devices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pin TEXT NOT NULL,
+      serial_number TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(pin, serial_number)
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_employee_devices_sn ON employee_devices(serial_number)
+  `);
+
+  // Users as last reported by each device through OPERLOG
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS device_users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      serial_number TEXT NOT NULL,
+      pin TEXT NOT NULL,
+      name TEXT,
+      privilege TEXT,
+      card_number TEXT,
+      group_id TEXT,
+      verify_mode TEXT,
+      raw TEXT,
+      reported_at TEXT,
+      UNIQUE(serial_number, pin)
+    )
+  `);
+
+  // Fingerprint, face and photo templates reported by devices
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS biometric_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      serial_number TEXT NOT NULL,
+      pin TEXT NOT NULL,
+      type TEXT NOT NULL,
+      fid TEXT NOT NULL,
+      size INTEGER,
+      valid INTEGER,
+      template TEXT,
+      reported_at TEXT,
+      UNIQUE(serial_number, pin, type, fid)
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_biometric_templates_pin ON biometric_templates(pin)
+  `);
+
+  // Device operation events (OPLOG lines)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS operation_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      serial_number TEXT NOT NULL,
+      op_type TEXT,
+      operator TEXT,
+      op_time TEXT,
+      obj1 TEXT,
+      obj2 TEXT,
+      obj3 TEXT,
+      obj4 TEXT,
+      raw TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_operation_log_sn_time ON operation_log(serial_number, op_time)
+  `);
+
+  // Create webhook subscriptions table (events is a comma separated list or *)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL DEFAULT '*',
+      secret TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Webhook outbox: one row per event and subscriber, retried until delivered or FAILED
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS webhook_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL,
+      last_status_code INTEGER,
+      last_error TEXT,
+      delivered_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_webhook_outbox_due ON webhook_outbox(status, next_attempt_at)
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_webhook_outbox_subscription ON webhook_outbox(subscription_id, id)
+  `);
+
+  // Create device command queue table
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS device_commands (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      serial_number TEXT NOT NULL,
+      command TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      sent_at TEXT,
+      completed_at TEXT,
+      return_code TEXT,
+      result TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_device_commands_sn_status ON device_commands(serial_number, status)
+  `);
+}
+
+// No down(): rolling back the baseline would drop all data
+module.exports = { up };
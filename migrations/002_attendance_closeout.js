@@ -0,0 +1,59 @@
+/**
+ * Daily close-out: work days per shift, public holidays, employee leave and a
+ * record of the days that have been closed out.
+ */
+
+const { ensureColumn } = require('../migrator');
+
+async function up(db) {
+  // Comma-separated day names (Mon,Tue,...); NULL falls back to WORK_WEEK
+  await ensureColumn(db, 'shifts', 'work_days', 'TEXT');
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS holidays (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      day TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Leave per employee, start_day..end_day inclusive; only APPROVED leave
+  // excuses an absence
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS leave_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pin TEXT NOT NULL,
+      start_day TEXT NOT NULL,
+      end_day TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      reason TEXT,
+      decided_by INTEGER,
+      decided_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_leave_requests_pin ON leave_requests(pin, start_day)
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS attendance_closeouts (
+      day TEXT PRIMARY KEY,
+      absent_count INTEGER NOT NULL DEFAULT 0,
+      closed_at TEXT NOT NULL
+    )
+  `);
+}
+
+// ABSENT rows written by close-out stay in attendance
+async function down(db) {
+  await db.execute(`DROP TABLE IF EXISTS attendance_closeouts`);
+  await db.execute(`DROP TABLE IF EXISTS leave_requests`);
+  await db.execute(`DROP TABLE IF EXISTS holidays`);
+  await db.execute(`ALTER TABLE shifts DROP COLUMN work_days`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,86 @@
+/**
+ * Leave management: leave types, half-day leave, per-site holiday calendars
+ * (employees get a home site) and the holiday/leave behind an attendance row.
+ */
+
+const { ensureColumn } = require('../migrator');
+
+async function hasColumn(db, table, column) {
+  const info = await db.execute(`PRAGMA table_info(${table})`);
+  return info.rows.some(row => row.name === column);
+}
+
+async function up(db) {
+  // Home site, whose holiday calendar applies to the employee
+  await ensureColumn(db, 'employees', 'site_id', 'INTEGER');
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS leave_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      paid INTEGER NOT NULL DEFAULT 1,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.batch([
+    `INSERT OR IGNORE INTO leave_types (code, name, paid) VALUES ('ANNUAL', 'Annual leave', 1)`,
+    `INSERT OR IGNORE INTO leave_types (code, name, paid) VALUES ('SICK', 'Sick leave', 1)`,
+    `INSERT OR IGNORE INTO leave_types (code, name, paid) VALUES ('UNPAID', 'Unpaid leave', 0)`
+  ], 'write');
+
+  await ensureColumn(db, 'leave_requests', 'leave_type_id', 'INTEGER');
+  await ensureColumn(db, 'leave_requests', 'half_day', 'INTEGER NOT NULL DEFAULT 0');
+
+  // Holidays become per site (site_id NULL applies to every site). The table
+  // is rebuilt because the UNIQUE constraint on day alone cannot be dropped.
+  if (!(await hasColumn(db, 'holidays', 'site_id'))) {
+    await db.batch([
+      `CREATE TABLE holidays_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        day TEXT NOT NULL,
+        name TEXT NOT NULL,
+        site_id INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `INSERT INTO holidays_new (id, day, name, created_at) SELECT id, day, name, created_at FROM holidays`,
+      `DROP TABLE holidays`,
+      `ALTER TABLE holidays_new RENAME TO holidays`
+    ], 'write');
+  }
+
+  await db.execute(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_holidays_day_site ON holidays(day, IFNULL(site_id, 0))
+  `);
+
+  await ensureColumn(db, 'attendance', 'holiday_id', 'INTEGER');
+  await ensureColumn(db, 'attendance', 'leave_request_id', 'INTEGER');
+}
+
+// Site-specific holidays are dropped; HOLIDAY/LEAVE/HALF_DAY rows stay in attendance
+async function down(db) {
+  await db.execute(`ALTER TABLE attendance DROP COLUMN leave_request_id`);
+  await db.execute(`ALTER TABLE attendance DROP COLUMN holiday_id`);
+
+  await db.batch([
+    `CREATE TABLE holidays_old (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      day TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `INSERT INTO holidays_old (id, day, name, created_at) SELECT id, day, name, created_at FROM holidays WHERE site_id IS NULL`,
+    `DROP TABLE holidays`,
+    `ALTER TABLE holidays_old RENAME TO holidays`
+  ], 'write');
+
+  await db.execute(`ALTER TABLE leave_requests DROP COLUMN half_day`);
+  await db.execute(`ALTER TABLE leave_requests DROP COLUMN leave_type_id`);
+  await db.execute(`DROP TABLE IF EXISTS leave_types`);
+  await db.execute(`ALTER TABLE employees DROP COLUMN site_id`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,80 @@
+/**
+ * Manual punch corrections. Punches are never edited: a correction adds a
+ * MANUAL punch and/or takes an existing punch out of use, and every change is
+ * kept in punch_corrections with who made it and why.
+ */
+
+const { ensureColumn } = require('../migrator');
+
+async function up(db) {
+  // DEVICE: uploaded by a terminal (the source record); MANUAL: added by a correction
+  await ensureColumn(db, 'punch', 'source', "TEXT NOT NULL DEFAULT 'DEVICE'");
+
+  // A manual punch may share device, pin, time and state with a device punch,
+  // so the natural key now includes the source
+  await db.execute(`DROP INDEX IF EXISTS idx_punch_natural_key`);
+
+  try {
+    await db.execute(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_punch_natural_key
+      ON punch(IFNULL(serial_number, ''), pin, ts, IFNULL(status, ''), source)
+    `);
+  } catch (error) {
+    console.warn('Could not create punch natural key index, run `npm run dedupe-punches`:', error.message);
+  }
+
+  await db.execute(`
+    CREATE TRIGGER IF NOT EXISTS punch_immutable BEFORE UPDATE ON punch
+    BEGIN
+      SELECT RAISE(ABORT, 'punches cannot be changed, record a punch correction instead');
+    END
+  `);
+
+  // action ADD: new_punch_id was added. VOID: punch_id was taken out of use.
+  // ADJUST: punch_id was replaced by new_punch_id.
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS punch_corrections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL,
+      pin TEXT NOT NULL,
+      punch_id INTEGER,
+      new_punch_id INTEGER,
+      old_ts TEXT,
+      new_ts TEXT,
+      reason TEXT NOT NULL,
+      actor_id INTEGER,
+      actor_username TEXT,
+      created_at TEXT NOT NULL
+    )
+  `);
+
+  // A punch can be voided or adjusted once
+  await db.execute(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_punch_corrections_punch ON punch_corrections(punch_id) WHERE punch_id IS NOT NULL
+  `);
+
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_punch_corrections_pin ON punch_corrections(pin, created_at)
+  `);
+}
+
+// Manual punches are removed with the corrections that added them
+async function down(db) {
+  await db.execute(`DROP TRIGGER IF EXISTS punch_immutable`);
+  await db.execute(`DELETE FROM punch WHERE source = 'MANUAL'`);
+  await db.execute(`DROP TABLE IF EXISTS punch_corrections`);
+  await db.execute(`DROP INDEX IF EXISTS idx_punch_natural_key`);
+
+  try {
+    await db.execute(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_punch_natural_key
+      ON punch(IFNULL(serial_number, ''), pin, ts, IFNULL(status, ''))
+    `);
+  } catch (error) {
+    console.warn('Could not create punch natural key index, run `npm run dedupe-punches`:', error.message);
+  }
+
+  await db.execute(`ALTER TABLE punch DROP COLUMN source`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+/**
+ * Index for browsing one employee's punches newest first (GET /punches?pin=),
+ * which pages by (ts, id).
+ */
+
+async function up(db) {
+  await db.execute(`
+    CREATE INDEX IF NOT EXISTS idx_punch_pin_ts ON punch(pin, ts)
+  `);
+}
+
+async function down(db) {
+  await db.execute(`DROP INDEX IF EXISTS idx_punch_pin_ts`);
+}
+
+module.exports = { up, down };
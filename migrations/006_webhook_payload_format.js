@@ -0,0 +1,17 @@
+/**
+ * Webhook payload format per subscription: 'envelope' posts
+ * { event, created_at, data }, 'data' posts only the data, which is what the
+ * CALLBACK_URL receiver got before webhook subscriptions existed.
+ */
+
+const { ensureColumn } = require('../migrator');
+
+async function up(db) {
+  await ensureColumn(db, 'webhook_subscriptions', 'payload_format', "TEXT NOT NULL DEFAULT 'envelope'");
+}
+
+async function down(db) {
+  await db.execute(`ALTER TABLE webhook_subscriptions DROP COLUMN payload_format`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,198 @@
+/**
+ * Versioned schema migrations.
+ *
+ * Migrations live in migrations/ as <version>_<name>.js and export
+ * `up(db)` and optionally `down(db)`. Applied versions are recorded in
+ * schema_migrations. Runs hold a lock row in schema_migrations_lock so that
+ * several instances starting at once (serverless cold starts) migrate one at
+ * a time.
+ *
+ * Statements of a migration are not wrapped in one transaction (libsql
+ * `:memory:` and remote databases do not share one across calls), so write
+ * them to be safe to re-run: IF NOT EXISTS, ensureColumn, db.batch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_WAIT = 60000; // Milliseconds to wait for another instance's lock
+const LOCK_STALE = 10 * 60000; // Locks older than this were left by a crashed run
+
+// Add a column to an existing table if it is missing
+async function ensureColumn(db, table, column, definition) {
+  const info = await db.execute(`PRAGMA table_info(${table})`);
+
+  if (!info.rows.some(row => row.name === column)) {
+    await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Migration files sorted by version
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)_([\w-]+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: parseInt(version, 10), name, ...require(path.join(MIGRATIONS_DIR, file)) }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no up()`);
+    }
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+async function ensureMigrationTables(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations_lock (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      owner TEXT NOT NULL,
+      locked_at TEXT NOT NULL
+    )
+  `);
+}
+
+async function appliedVersions(db) {
+  const result = await db.execute(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Take the lock row; false while another run holds it. A local SQLite file
+// being written by the other run reports SQLITE_BUSY, which counts as held.
+async function tryLock(db, owner) {
+  try {
+    await ensureMigrationTables(db);
+
+    await db.execute({
+      sql: `DELETE FROM schema_migrations_lock WHERE locked_at < ?`,
+      args: [new Date(Date.now() - LOCK_STALE).toISOString()]
+    });
+
+    const result = await db.execute({
+      sql: `INSERT OR IGNORE INTO schema_migrations_lock (id, owner, locked_at) VALUES (1, ?, ?)`,
+      args: [owner, new Date().toISOString()]
+    });
+
+    return result.rowsAffected > 0;
+  } catch (error) {
+    if (/SQLITE_BUSY|database is locked/.test(`${error.code} ${error.message}`)) return false;
+    throw error;
+  }
+}
+
+// Run `fn` while holding the migration lock
+async function withLock(db, fn) {
+  const owner = crypto.randomBytes(8).toString('hex');
+  const deadline = Date.now() + LOCK_WAIT;
+
+  for (;;) {
+    if (await tryLock(db, owner)) break;
+
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the migration lock; if no migration is running, delete the row in schema_migrations_lock');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await db.execute({
+      sql: `DELETE FROM schema_migrations_lock WHERE owner = ?`,
+      args: [owner]
+    });
+  }
+}
+
+// Apply pending migrations in order, up to and including version `to`.
+// Returns the versions applied.
+async function migrate(db, { to = Infinity } = {}) {
+  const migrations = loadMigrations();
+
+  return withLock(db, async () => {
+    const applied = await appliedVersions(db);
+    const done = [];
+
+    for (const migration of migrations) {
+      if (migration.version > to || applied.has(migration.version)) continue;
+
+      console.log(`Applying migration ${migration.version}_${migration.name}`);
+      await migration.up(db);
+      await db.execute({
+        sql: `INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`,
+        args: [migration.version, migration.name, new Date().toISOString()]
+      });
+      done.push(migration.version);
+    }
+
+    return done;
+  });
+}
+
+// Revert applied migrations, newest first: the last `steps` of them, or all
+// above version `to`. Returns the versions reverted.
+async function rollback(db, { steps = 1, to = null } = {}) {
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+
+  return withLock(db, async () => {
+    const applied = [...(await appliedVersions(db)).keys()].sort((a, b) => b - a);
+    const targets = to === null ? applied.slice(0, steps) : applied.filter(version => version > to);
+    const done = [];
+
+    for (const version of targets) {
+      const migration = migrations.get(version);
+
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing`);
+      }
+      if (typeof migration.down !== 'function') {
+        throw new Error(`Migration ${version}_${migration.name} cannot be rolled back (no down())`);
+      }
+
+      console.log(`Reverting migration ${version}_${migration.name}`);
+      await migration.down(db);
+      await db.execute({
+        sql: `DELETE FROM schema_migrations WHERE version = ?`,
+        args: [version]
+      });
+      done.push(version);
+    }
+
+    return done;
+  });
+}
+
+// Every known migration with its applied_at (null when pending)
+async function migrationStatus(db) {
+  await ensureMigrationTables(db);
+  const applied = await appliedVersions(db);
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+}
+
+module.exports = {
+  ensureColumn,
+  migrate,
+  rollback,
+  migrationStatus
+};
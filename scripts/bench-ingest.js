@@ -0,0 +1,97 @@
+/**
+ * Benchmark ATTLOG ingestion against a local SQLite file
+ *
+ * Starts the server on a throwaway database, posts one large synthetic ATTLOG
+ * upload, then replays it to measure the duplicate path.
+ *
+ * Usage: node scripts/bench-ingest.js [lines=5000] [pins=200]
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const LINES = parseInt(process.argv[2] || '5000');
+const PINS = parseInt(process.argv[3] || '200');
+const PORT = parseInt(process.env.BENCH_PORT || '5099');
+const DB_FILE = path.join(os.tmpdir(), `adms-bench-${process.pid}.db`);
+const BASE_URL = `http://localhost:${PORT}`;
+
+// Synthetic upload: each pin punches in and out on consecutive days
+function buildAttlog(lines, pins) {
+  const rows = [];
+  const start = Date.UTC(2024, 0, 1, 8, 0, 0);
+
+  for (let i = 0; i < lines; i++) {
+    const pin = String(1 + (i % pins));
+    const round = Math.floor(i / pins);
+    const day = Math.floor(round / 2);
+    const isOut = round % 2 === 1;
+    const ts = new Date(start + day * 86400000 + (isOut ? 9 * 3600000 : 0) + (i % pins) * 1000);
+    const tsStr = ts.toISOString().replace('T', ' ').slice(0, 19);
+
+    rows.push([pin, tsStr, isOut ? '1' : '0', '1', '0', '0'].join('\t'));
+  }
+
+  return rows.join('\n');
+}
+
+// The device handshake is public and only succeeds once the schema is in
+// place, which also registers the benchmark device
+async function waitForServer() {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await axios.get(`${BASE_URL}/iclock/cdata.aspx?SN=BENCH0001`);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  throw new Error('server did not start');
+}
+
+async function timeUpload(body) {
+  const started = process.hrtime.bigint();
+  const response = await axios.post(`${BASE_URL}/iclock/cdata.aspx?SN=BENCH0001&table=ATTLOG`, body, {
+    headers: { 'Content-Type': 'text/plain' },
+    maxBodyLength: Infinity
+  });
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+  return { elapsedMs, data: response.data };
+}
+
+async function main() {
+  const server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: { ...process.env, TURSO_DB_URL: `file:${DB_FILE}`, PORT: String(PORT), CALLBACK_URL: '', DEVICE_AUTO_APPROVE: 'true' },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  try {
+    await waitForServer();
+
+    const body = buildAttlog(LINES, PINS);
+    console.log(`Uploading ${LINES} ATTLOG lines for ${PINS} pins`);
+
+    const first = await timeUpload(body);
+    console.log(`First upload:  ${first.elapsedMs.toFixed(0)} ms, inserted ${first.data.inserted}, ` +
+      `duplicates ${first.data.duplicates}, attendance rows ${first.data.attendance.length}`);
+
+    const replay = await timeUpload(body);
+    console.log(`Replay upload: ${replay.elapsedMs.toFixed(0)} ms, inserted ${replay.data.inserted}, ` +
+      `duplicates ${replay.data.duplicates}`);
+  } finally {
+    server.kill();
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${DB_FILE}${suffix}`, { force: true });
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('Benchmark failed:', error.message);
+  process.exit(1);
+});
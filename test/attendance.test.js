@@ -0,0 +1,69 @@
+// Uploaded punches end up in the workday their shift started, once
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+// Employee 7 with the given shifts, as [shift, effective_from, effective_to]
+async function assignShifts(server, assignments) {
+  const employee = await server.api('POST', '/employees', { pin: '7', name: 'Night Worker' });
+  assert.strictEqual(employee.status, 201);
+
+  for (const [shift, effectiveFrom, effectiveTo] of assignments) {
+    const created = await server.api('POST', '/shifts', shift);
+    assert.strictEqual(created.status, 201);
+
+    const assigned = await server.api('POST', '/shift-assignments', {
+      pin: '7', shift_id: created.body.id, effective_from: effectiveFrom, effective_to: effectiveTo
+    });
+    assert.strictEqual(assigned.status, 201);
+  }
+}
+
+test('a night shift is one attendance row on the day it started', async t => {
+  const server = await startServer({ DEVICE_AUTO_APPROVE: 'true', SITE_TIMEZONE: 'UTC', SHIFT_WINDOW_BEFORE: '120' });
+  t.after(server.stop);
+
+  await assignShifts(server, [[{ name: 'Night', start_time: '22:00', end_time: '06:00' }, '2024-03-01']]);
+
+  const response = await server.upload('SN=TEST0001&table=ATTLOG', ['7\t2024-03-10 22:00:00\t0\t1', '7\t2024-03-11 06:00:00\t1\t1']);
+  assert.strictEqual(response.status, 200);
+
+  const startDay = await server.api('GET', '/attendance/2024-03-10');
+  assert.strictEqual(startDay.body.length, 1);
+  assert.strictEqual(startDay.body[0].first_ts, '2024-03-10T22:00:00.000Z');
+  assert.strictEqual(startDay.body[0].last_ts, '2024-03-11T06:00:00.000Z');
+  assert.strictEqual(startDay.body[0].worked_minutes, 480);
+
+  const nextDay = await server.api('GET', '/attendance/2024-03-11');
+  assert.deepStrictEqual(nextDay.body, []);
+});
+
+test('a shift change between days counts each punch once', async t => {
+  const server = await startServer({ DEVICE_AUTO_APPROVE: 'true', SITE_TIMEZONE: 'UTC', SHIFT_WINDOW_BEFORE: '120' });
+  t.after(server.stop);
+
+  await assignShifts(server, [
+    [{ name: 'Night', start_time: '22:00', end_time: '06:00' }, '2024-03-01', '2024-03-10'],
+    [{ name: 'Day', start_time: '09:00', end_time: '17:00' }, '2024-03-11']
+  ]);
+
+  const response = await server.upload('SN=TEST0001&table=ATTLOG', [
+    '7\t2024-03-10 22:00:00\t0\t1',
+    '7\t2024-03-11 06:00:00\t1\t1',
+    '7\t2024-03-11 09:00:00\t0\t1',
+    '7\t2024-03-11 17:00:00\t1\t1'
+  ]);
+  assert.strictEqual(response.status, 200);
+
+  const nightDay = await server.api('GET', '/attendance/2024-03-10');
+  assert.strictEqual(nightDay.body.length, 1);
+  assert.strictEqual(nightDay.body[0].first_ts, '2024-03-10T22:00:00.000Z');
+  assert.strictEqual(nightDay.body[0].last_ts, '2024-03-11T06:00:00.000Z');
+
+  const dayShiftDay = await server.api('GET', '/attendance/2024-03-11');
+  assert.strictEqual(dayShiftDay.body.length, 1);
+  assert.strictEqual(dayShiftDay.body[0].first_ts, '2024-03-11T09:00:00.000Z');
+  assert.strictEqual(dayShiftDay.body[0].last_ts, '2024-03-11T17:00:00.000Z');
+
+  assert.strictEqual(nightDay.body[0].worked_minutes + dayShiftDay.body[0].worked_minutes, 960);
+});
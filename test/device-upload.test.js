@@ -0,0 +1,37 @@
+// Device uploads must name an approved device before anything is stored
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+test('uploads without a serial number are rejected and store nothing', async t => {
+  const server = await startServer({ DEVICE_AUTO_APPROVE: 'true', SITE_TIMEZONE: 'UTC' });
+  t.after(server.stop);
+
+  for (const table of ['ATTLOG', 'OPERLOG']) {
+    const response = await server.upload(`table=${table}`, ['7\t2024-03-10 09:00:00\t0\t1', '7\t2024-03-10 17:00:00\t1\t1']);
+    assert.strictEqual(response.status, 400, table);
+  }
+
+  const punches = await server.api('GET', '/punches');
+  assert.deepStrictEqual(punches.body, []);
+
+  const attendance = await server.api('GET', '/attendance/2024-03-10');
+  assert.deepStrictEqual(attendance.body, []);
+
+  const employees = await server.api('GET', '/employees');
+  assert.deepStrictEqual(employees.body, []);
+});
+
+test('uploads from a device awaiting approval are quarantined', async t => {
+  const server = await startServer({ DEVICE_AUTO_APPROVE: 'false', SITE_TIMEZONE: 'UTC' });
+  t.after(server.stop);
+
+  const response = await server.upload('SN=PENDING01&table=ATTLOG', ['7\t2024-03-10 09:00:00\t0\t1']);
+  assert.strictEqual(response.status, 200);
+
+  const punches = await server.api('GET', '/punches');
+  assert.deepStrictEqual(punches.body, []);
+
+  const quarantine = await server.api('GET', '/devices/quarantine');
+  assert.strictEqual(quarantine.body.length, 1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Runs the server on a throwaway SQLite file for end-to-end tests, the way
+ * scripts/bench-ingest.js does.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_PASSWORD = 'test-admin-password';
+
+// A port nothing is listening on
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start the server with extra environment settings. Resolves once the schema
+// is in place, with the base URL, an admin request helper and stop().
+async function startServer(env = {}) {
+  const port = await freePort();
+  const dbFile = path.join(os.tmpdir(), `adms-test-${process.pid}-${port}.db`);
+  const baseUrl = `http://localhost:${port}`;
+
+  const server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: {
+      ...process.env,
+      TURSO_DB_URL: `file:${dbFile}`,
+      PORT: String(port),
+      CALLBACK_URL: '',
+      ADMIN_USERNAME: 'admin',
+      ADMIN_PASSWORD,
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'ignore']
+  });
+
+  const stop = async () => {
+    if (server.exitCode === null) {
+      await new Promise(resolve => {
+        server.once('exit', resolve);
+        server.kill();
+      });
+    }
+
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbFile}${suffix}`, { force: true });
+    }
+  };
+
+  // GET / answers before migrations finish, so wait for the admin login to work
+  let token = null;
+  for (let attempt = 0; attempt < 100 && !token; attempt++) {
+    try {
+      const response = await fetch(`${baseUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: ADMIN_PASSWORD })
+      });
+      if (response.ok) token = (await response.json()).token;
+    } catch (error) {
+      // Not listening yet
+    }
+    if (!token) await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  if (!token) {
+    await stop();
+    throw new Error('server did not start');
+  }
+
+  // Authenticated JSON request as the admin
+  const api = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  // Device upload of tab-separated ATTLOG lines
+  const upload = (query, lines) => fetch(`${baseUrl}/iclock/cdata.aspx?${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: lines.join('\n')
+  });
+
+  return { baseUrl, api, upload, stop };
+}
+
+module.exports = { startServer };
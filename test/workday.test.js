@@ -0,0 +1,74 @@
+// Workday windows around midnight and the WORKDAY_START cut-off. config.js
+// reads the environment once, so the settings are fixed before loading it.
+process.env.SITE_TIMEZONE = 'Asia/Kolkata';
+process.env.WORKDAY_START = '04:00';
+process.env.SHIFT_WINDOW_BEFORE = '240';
+process.env.TURSO_DB_URL = 'file::memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { zonedTimeToUtc, startOfDayInZone, getWorkdayWindow, affectedWorkdays } = require('../workday');
+
+const NIGHT_SHIFT = { start_time: '22:00', end_time: '06:00' };
+const EARLY_SHIFT = { start_time: '01:00', end_time: '09:00' };
+
+// Instant of a site wall-clock time
+function at(day, time) {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return zonedTimeToUtc(year, month, date, hour, minute, 0, 'Asia/Kolkata');
+}
+
+function inWindow(window, ts) {
+  return ts >= window.start && ts < window.end;
+}
+
+test('night shift keeps punches on both sides of midnight in the day it started', () => {
+  const window = getWorkdayWindow(startOfDayInZone('2024-03-10', 'Asia/Kolkata'), NIGHT_SHIFT);
+  const nextWindow = getWorkdayWindow(startOfDayInZone('2024-03-11', 'Asia/Kolkata'), NIGHT_SHIFT);
+
+  for (const ts of [at('2024-03-10', '21:55'), at('2024-03-10', '23:59'), at('2024-03-11', '00:05'), at('2024-03-11', '06:10')]) {
+    assert.ok(inWindow(window, ts), `${ts.toISOString()} belongs to 2024-03-10`);
+    assert.ok(!inWindow(nextWindow, ts), `${ts.toISOString()} does not belong to 2024-03-11`);
+  }
+
+  const days = affectedWorkdays([{ pin: '7', ts: at('2024-03-11', '00:05').toISOString() }]);
+  assert.ok(days.get('2024-03-10').has('7'));
+});
+
+test('punches before WORKDAY_START belong to the previous workday', () => {
+  const previous = getWorkdayWindow(startOfDayInZone('2024-03-09', 'Asia/Kolkata'), null);
+  const window = getWorkdayWindow(startOfDayInZone('2024-03-10', 'Asia/Kolkata'), null);
+
+  assert.ok(inWindow(previous, at('2024-03-10', '03:59')));
+  assert.ok(!inWindow(window, at('2024-03-10', '03:59')));
+  assert.ok(inWindow(window, at('2024-03-10', '04:00')));
+  assert.ok(!inWindow(previous, at('2024-03-10', '04:00')));
+
+  const days = affectedWorkdays([{ pin: '7', ts: at('2024-03-10', '03:59').toISOString() }]);
+  assert.ok(days.get('2024-03-09').has('7'));
+  assert.ok(days.get('2024-03-10').has('7'));
+});
+
+test('an in-punch within SHIFT_WINDOW_BEFORE of a shift after midnight affects the next day', () => {
+  const punch = at('2024-03-09', '22:30');
+  const window = getWorkdayWindow(startOfDayInZone('2024-03-10', 'Asia/Kolkata'), EARLY_SHIFT);
+  const previous = getWorkdayWindow(startOfDayInZone('2024-03-09', 'Asia/Kolkata'), EARLY_SHIFT);
+
+  assert.ok(inWindow(window, punch));
+  assert.ok(!inWindow(previous, punch));
+
+  const days = affectedWorkdays([{ pin: '7', ts: punch.toISOString() }]);
+  assert.deepStrictEqual([...days.keys()], ['2024-03-08', '2024-03-09', '2024-03-10']);
+});
+
+test('a window ends where the next day starts when the shift changes', () => {
+  const DAY_SHIFT = { start_time: '09:00', end_time: '17:00' };
+  const window = getWorkdayWindow(startOfDayInZone('2024-03-10', 'Asia/Kolkata'), NIGHT_SHIFT, DAY_SHIFT);
+  const nextWindow = getWorkdayWindow(startOfDayInZone('2024-03-11', 'Asia/Kolkata'), DAY_SHIFT);
+
+  assert.strictEqual(window.end.getTime(), nextWindow.start.getTime());
+  assert.ok(inWindow(window, at('2024-03-11', '04:59')));
+  assert.ok(inWindow(nextWindow, at('2024-03-11', '05:00')));
+  assert.ok(!inWindow(window, at('2024-03-11', '05:00')));
+});
@@ -0,0 +1,134 @@
+/**
+ * Timezone and workday helpers: calendar days in the site timezone and the
+ * punch window each workday collects.
+ */
+
+const { WORKDAY_START, SITE_TIMEZONE, SHIFT_WINDOW_BEFORE } = require('./config');
+
+// Offset of a timezone from UTC in minutes at the given instant
+function getTimezoneOffsetMinutes(timeZone, date = new Date()) {
+  const tz = String(timeZone).trim();
+
+  if (/^[+-]?\d+(\.\d+)?$/.test(tz)) {
+    return Math.round(parseFloat(tz) * 60);
+  }
+
+  const fixed = tz.match(/^(?:UTC|GMT)?([+-])(\d{1,2}):?(\d{2})$/);
+  if (fixed) {
+    const minutes = parseInt(fixed[2]) * 60 + parseInt(fixed[3]);
+    return fixed[1] === '-' ? -minutes : minutes;
+  }
+
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    getTimezoneOffsetMinutes(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Convert a wall-clock time in a timezone to a UTC Date. The offset is checked
+// again at the result so times next to a DST change resolve correctly.
+function zonedTimeToUtc(year, month, day, hour, minute, second, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  let utc = wallClock - getTimezoneOffsetMinutes(timeZone, new Date(wallClock)) * 60000;
+  utc = wallClock - getTimezoneOffsetMinutes(timeZone, new Date(utc)) * 60000;
+
+  return new Date(utc);
+}
+
+// Calendar day (YYYY-MM-DD) of an instant in a timezone
+function formatDayInZone(date, timeZone) {
+  const local = new Date(date.getTime() + getTimezoneOffsetMinutes(timeZone, date) * 60000);
+  return local.toISOString().split('T')[0];
+}
+
+// Midnight of a YYYY-MM-DD day in a timezone
+function startOfDayInZone(dayStr, timeZone) {
+  const [year, month, day] = dayStr.split('-').map(Number);
+  return zonedTimeToUtc(year, month, day, 0, 0, 0, timeZone);
+}
+
+// Shift a YYYY-MM-DD day by a number of calendar days
+function addDays(dayStr, days) {
+  const date = new Date(`${dayStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Minutes since midnight for an HH:MM string
+function timeToMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Start of a workday's punches: the logical workday start, or for an employee
+// with a shift, SHIFT_WINDOW_BEFORE minutes before the shift starts
+function workdayWindowStart(dayStart, shift) {
+  const offsetMinutes = shift
+    ? timeToMinutes(shift.start_time) - SHIFT_WINDOW_BEFORE
+    : timeToMinutes(WORKDAY_START);
+
+  return new Date(dayStart.getTime() + offsetMinutes * 60000);
+}
+
+// Punch window for a workday, from its own start up to where the next day's
+// window starts, so a night shift's morning punches fall in the day it
+// started. `nextShift` is the shift the next day (the same one when omitted);
+// ending at the next start keeps a shift change from counting a punch twice.
+function getWorkdayWindow(dayStart, shift, nextShift = shift) {
+  const start = workdayWindowStart(dayStart, shift);
+  const end = workdayWindowStart(new Date(dayStart.getTime() + 24 * 60 * 60000), nextShift);
+
+  return { start, end };
+}
+
+// (pin, workday) pairs an upload may affect, as a Map of day -> Set of pins:
+// the site calendar day of each punch, the day before it, whose window can
+// extend past midnight, and the day SHIFT_WINDOW_BEFORE minutes later, whose
+// window can start before midnight
+function affectedWorkdays(rows) {
+  const days = new Map();
+
+  for (const row of rows) {
+    const ts = new Date(row.ts);
+    const day = formatDayInZone(ts, SITE_TIMEZONE);
+    const shiftDay = formatDayInZone(new Date(ts.getTime() + SHIFT_WINDOW_BEFORE * 60000), SITE_TIMEZONE);
+
+    for (const affected of new Set([addDays(day, -1), day, shiftDay])) {
+      if (!days.has(affected)) days.set(affected, new Set());
+      days.get(affected).add(row.pin);
+    }
+  }
+
+  return new Map([...days.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+module.exports = {
+  getTimezoneOffsetMinutes,
+  isValidTimezone,
+  zonedTimeToUtc,
+  formatDayInZone,
+  startOfDayInZone,
+  addDays,
+  timeToMinutes,
+  getWorkdayWindow,
+  affectedWorkdays
+};